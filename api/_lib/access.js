@@ -0,0 +1,95 @@
+// Who may call the routes that spend server-side keys (/api/chat, /api/transcribe).
+//
+// Origins: ALLOWED_ORIGIN is a comma-separated list of origins (or * for any).
+// Unset, only the page's own origin is let in. Requests without an Origin header
+// (curl, server-to-server) pass the origin check but not the throttle.
+//
+// Throttling: a fixed one-minute window per client IP and route, sized by
+// RATE_LIMIT_PER_MINUTE (chat) and STT_RATE_LIMIT_PER_MINUTE (transcribe).
+// State lives at module level, so it only holds within a warm instance; it is
+// a brake on casual abuse, not a quota.
+
+const WINDOW_MS = 60000;
+const MAX_TRACKED_CLIENTS = 5000;
+
+const windows = new Map();
+
+function allowedOrigins(env) {
+  return String(env.ALLOWED_ORIGIN || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+function ownOrigin(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!host) return null;
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${proto}://${String(host).split(',')[0].trim()}`;
+}
+
+// Sets the CORS headers and returns false when the request's origin isn't allowed
+export function applyCors(req, res, methods, env = process.env) {
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Vary', 'Origin');
+
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  const allowed = allowedOrigins(env);
+  if (allowed.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return true;
+  }
+  // Same-origin requests match on host alone; a proxy may hide the scheme
+  const sameOrigin = ownOrigin(req)?.replace(/^https?:/, '') === origin.replace(/^https?:/, '');
+  if (sameOrigin || allowed.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    return true;
+  }
+  return false;
+}
+
+export function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+// Counts a request against the client's window. Returns { allowed, retryAfterMs }.
+export function takeRateLimit(req, route, limit) {
+  if (!(limit > 0)) return { allowed: true, retryAfterMs: 0 };
+
+  const now = Date.now();
+  const key = `${route}:${clientIp(req)}`;
+  let entry = windows.get(key);
+  if (!entry || now >= entry.resetAt) {
+    // Expired windows are swept before the map grows past its cap
+    if (windows.size >= MAX_TRACKED_CLIENTS) {
+      for (const [k, value] of windows) {
+        if (now >= value.resetAt) windows.delete(k);
+      }
+    }
+    entry = { count: 0, resetAt: now + WINDOW_MS };
+    windows.set(key, entry);
+  }
+
+  entry.count++;
+  return entry.count <= limit
+    ? { allowed: true, retryAfterMs: 0 }
+    : { allowed: false, retryAfterMs: entry.resetAt - now };
+}
+
+// Runs both checks and answers the request when one fails; returns whether to go on
+export function guardRequest(req, res, { route, methods, limit }) {
+  if (!applyCors(req, res, methods)) {
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+  if (req.method === 'OPTIONS') return true;
+
+  const { allowed, retryAfterMs } = takeRateLimit(req, route, limit);
+  if (!allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many requests; slow down' });
+    return false;
+  }
+  return true;
+}
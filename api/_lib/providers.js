@@ -0,0 +1,474 @@
+// Chat model providers used by /api/chat.
+//
+// Every provider takes an optional system instruction plus neutral multi-turn
+// messages and exposes the same surface:
+//   name, model            - reported by /api/config
+//   isConfigured()         - whether the env holds what the provider needs
+//   complete({ system, messages, json, tools, signal, onRetry })  -> Promise<{ text, toolCalls }>
+//   stream({ system, messages, json, tools, signal, onRetry })    -> async iterable of text
+//                                                                    deltas and { toolCall } objects
+// With json set the provider switches on its native JSON output mode. onRetry is
+// handed to callWithRetry() and hears about each backoff before a retry.
+//
+// Messages are { role: 'user' | 'assistant', content }, where an assistant turn may
+// carry toolCalls: [{ id, name, args }], plus { role: 'tool', toolCallId, name, content }
+// for the result of a call. Tools are declared as [{ name, description, parameters }]
+// with parameters as a JSON schema object.
+//
+// The provider is picked with LLM_PROVIDER (gemini | openai | ollama). llama.cpp's
+// server speaks the OpenAI protocol, so point OPENAI_BASE_URL at it.
+//
+// Every upstream call goes through callWithRetry() (see resilience.js), which
+// handles backoff, Retry-After, circuit breaking and the overall deadline.
+
+import { UpstreamError, callWithRetry, parseRetryAfter } from './resilience.js';
+
+const GENERATION = {
+  temperature: 0.9,
+  topP: 0.95,
+  maxOutputTokens: 300,
+  stop: ['Human:', 'User:']
+};
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Yields every complete line of a streamed response body
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) yield buffer;
+}
+
+// Yields the JSON payload of every `data:` line in an SSE body
+export async function* readSseData(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') continue;
+    try {
+      yield JSON.parse(payload);
+    } catch (error) {
+      console.warn('Skipping malformed stream chunk:', payload);
+    }
+  }
+}
+
+// POSTs JSON with a timeout for the response headers, then the same allowance
+// between body chunks, so a stream that stalls midway still ends. The caller's
+// signal stays wired up so it can still cancel a streaming body.
+async function fetchJson(url, { headers = {}, body, signal, timeoutMs = REQUEST_TIMEOUT_MS }) {
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const restartTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  const cleanup = () => {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let handedOff = false;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new UpstreamError(`${url} responded ${response.status}: ${await response.text()}`, {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    restartTimeout();
+    const reader = response.body.getReader();
+    const guarded = new ReadableStream({
+      async pull(stream) {
+        try {
+          const { value, done } = await reader.read();
+          if (done) {
+            cleanup();
+            stream.close();
+            return;
+          }
+          restartTimeout();
+          stream.enqueue(value);
+        } catch (error) {
+          cleanup();
+          stream.error(error);
+        }
+      },
+      cancel(reason) {
+        cleanup();
+        return reader.cancel(reason);
+      }
+    });
+    handedOff = true;
+    return new Response(guarded, { status: response.status, headers: response.headers });
+  } finally {
+    if (!handedOff) cleanup();
+  }
+}
+
+// Tool arguments arrive as a JSON string from OpenAI-style APIs
+function parseArguments(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn('Malformed tool arguments:', value);
+    return {};
+  }
+}
+
+// OpenAI-style APIs take the system instruction as a leading system message
+function withSystemMessage(system, turns) {
+  return system ? [{ role: 'system', content: system }, ...turns] : turns;
+}
+
+// OpenAI and Ollama share the function tool format
+function toFunctionTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+// ===== GEMINI =====
+
+// Tried in order when GEMINI_MODEL is unset; older models get retired, so the
+// fallback sits in the same generation rather than on a previous one
+const GEMINI_MODELS = [
+  'v1beta/models/gemini-2.5-flash',
+  'v1beta/models/gemini-2.5-flash-lite'
+];
+
+const GEMINI_SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+function geminiText(data) {
+  const candidate = data?.candidates?.[0];
+  const parts = candidate?.content?.parts;
+  if (parts?.some(part => part.text)) {
+    return parts.map(part => part.text || '').join('');
+  }
+  return candidate?.text || data?.text || '';
+}
+
+// Gemini has no call ids, so they are numbered in order of appearance
+function geminiToolCalls(data, firstIndex = 0) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts
+    .filter(part => part.functionCall)
+    .map((part, i) => ({
+      id: `call_${firstIndex + i}`,
+      name: part.functionCall.name,
+      args: part.functionCall.args || {}
+    }));
+}
+
+function toGeminiParts(msg) {
+  if (msg.role === 'tool') {
+    // functionResponse.response has to be an object
+    const result = parseArguments(msg.content);
+    const response = Object.keys(result).length > 0 ? result : { result: msg.content };
+    return [{ functionResponse: { name: msg.name, response } }];
+  }
+  const parts = msg.content ? [{ text: msg.content }] : [];
+  for (const call of msg.toolCalls || []) {
+    parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+  }
+  return parts;
+}
+
+// Gemini wants strictly alternating turns that open with the user; tool results
+// travel as user turns holding functionResponse parts
+function toGeminiContents(messages) {
+  const contents = [];
+  for (const msg of messages) {
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    if (contents.length === 0 && role === 'model') continue;
+
+    const parts = toGeminiParts(msg);
+    if (parts.length === 0) continue;
+
+    const previous = contents[contents.length - 1];
+    if (previous?.role !== role) {
+      contents.push({ role, parts });
+      continue;
+    }
+    const last = previous.parts[previous.parts.length - 1];
+    if (last.text !== undefined && parts[0].text !== undefined) {
+      last.text += `\n\n${parts.shift().text}`;
+    }
+    previous.parts.push(...parts);
+  }
+  return contents;
+}
+
+function createGeminiProvider(env) {
+  const apiKey = env.GEMINI_API_KEY;
+  const models = env.GEMINI_MODEL ? [`v1beta/models/${env.GEMINI_MODEL}`] : GEMINI_MODELS;
+
+  // JSON output mode can't be combined with function calling, so with tools
+  // the JSON shape is left to the system instruction
+  const buildBody = (system, messages, json, tools) => ({
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    contents: toGeminiContents(messages),
+    ...(tools?.length ? {
+      tools: [{
+        // Gemini rejects object schemas without properties, so those are left out
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          ...(Object.keys(tool.parameters?.properties || {}).length > 0 ? { parameters: tool.parameters } : {})
+        }))
+      }]
+    } : {}),
+    generationConfig: {
+      temperature: GENERATION.temperature,
+      topK: 32,
+      topP: GENERATION.topP,
+      maxOutputTokens: GENERATION.maxOutputTokens,
+      stopSequences: GENERATION.stop,
+      ...(json && !tools?.length ? { responseMimeType: 'application/json' } : {})
+    },
+    safetySettings: GEMINI_SAFETY_SETTINGS
+  });
+
+  // Tries the model that last worked first, then falls back through the list
+  const request = (method, { system, messages, json, tools, signal, onRetry }) => callWithRetry('gemini', models, (model, timeoutMs) =>
+    fetchJson(`https://generativelanguage.googleapis.com/${model}:${method}`, {
+      headers: { 'x-goog-api-key': apiKey },
+      body: buildBody(system, messages, json, tools),
+      signal,
+      timeoutMs
+    }), { signal, onRetry });
+
+  return {
+    name: 'gemini',
+    model: models[0].split('/').pop(),
+    isConfigured: () => !!apiKey,
+
+    async complete(options) {
+      const response = await request('generateContent', options);
+      const data = await response.json();
+      return { text: geminiText(data), toolCalls: geminiToolCalls(data) };
+    },
+
+    async *stream(options) {
+      const response = await request('streamGenerateContent?alt=sse', options);
+      let callCount = 0;
+      for await (const data of readSseData(response.body)) {
+        const text = geminiText(data);
+        if (text) yield text;
+        for (const toolCall of geminiToolCalls(data, callCount)) {
+          callCount++;
+          yield { toolCall };
+        }
+      }
+    }
+  };
+}
+
+// ===== OPENAI-COMPATIBLE (OpenAI, llama.cpp server, vLLM, LM Studio...) =====
+
+function createOpenAiProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = env.OPENAI_API_KEY;
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+  const isLocal = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])/.test(baseUrl);
+
+  const toMessages = messages => messages.map((msg) => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+        }))
+      };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+
+  const buildBody = ({ system, messages, json, tools }, stream) => ({
+    model,
+    messages: withSystemMessage(system, toMessages(messages)),
+    temperature: GENERATION.temperature,
+    top_p: GENERATION.topP,
+    max_tokens: GENERATION.maxOutputTokens,
+    stop: GENERATION.stop,
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+    ...(tools?.length ? { tools: toFunctionTools(tools) } : {}),
+    stream
+  });
+
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const url = `${baseUrl}/chat/completions`;
+
+  const request = (options, stream) => callWithRetry('openai', [url], (endpoint, timeoutMs) =>
+    fetchJson(endpoint, {
+      headers,
+      body: buildBody(options, stream),
+      signal: options.signal,
+      timeoutMs
+    }), { signal: options.signal, onRetry: options.onRetry });
+
+  return {
+    name: 'openai',
+    model,
+    // Local servers usually run without a key
+    isConfigured: () => !!apiKey || isLocal,
+
+    async complete(options) {
+      const response = await request(options, false);
+      const data = await response.json();
+      const message = data?.choices?.[0]?.message;
+      return {
+        text: message?.content || '',
+        toolCalls: (message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          args: parseArguments(call.function?.arguments)
+        }))
+      };
+    },
+
+    async *stream(options) {
+      const response = await request(options, true);
+      // Tool calls stream in fragments keyed by index; emit them once complete
+      const calls = [];
+      for await (const data of readSseData(response.body)) {
+        const delta = data?.choices?.[0]?.delta;
+        if (delta?.content) yield delta.content;
+        for (const fragment of delta?.tool_calls || []) {
+          const call = calls[fragment.index ?? 0] ||= { id: '', name: '', args: '' };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.args += fragment.function.arguments;
+        }
+      }
+      for (const [index, call] of calls.entries()) {
+        if (!call?.name) continue;
+        yield { toolCall: { id: call.id || `call_${index}`, name: call.name, args: parseArguments(call.args) } };
+      }
+    }
+  };
+}
+
+// ===== OLLAMA =====
+
+function createOllamaProvider(env) {
+  const baseUrl = (env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  const model = env.OLLAMA_MODEL || 'llama3.2';
+
+  const toMessages = messages => messages.map((msg) => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_name: msg.name, content: msg.content };
+    }
+    if (msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || '',
+        tool_calls: msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.args || {} } }))
+      };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+
+  const toToolCalls = (calls, firstIndex = 0) => (calls || []).map((call, i) => ({
+    id: `call_${firstIndex + i}`,
+    name: call.function?.name,
+    args: parseArguments(call.function?.arguments)
+  }));
+
+  // Like Gemini, JSON format mode is left off when tools are offered
+  const buildBody = ({ system, messages, json, tools }, stream) => ({
+    model,
+    messages: withSystemMessage(system, toMessages(messages)),
+    ...(json && !tools?.length ? { format: 'json' } : {}),
+    ...(tools?.length ? { tools: toFunctionTools(tools) } : {}),
+    stream,
+    options: {
+      temperature: GENERATION.temperature,
+      top_p: GENERATION.topP,
+      num_predict: GENERATION.maxOutputTokens,
+      stop: GENERATION.stop
+    }
+  });
+
+  // Loading a local model into memory can take a while on the first request
+  const request = (options, stream) => callWithRetry('ollama', [`${baseUrl}/api/chat`], (endpoint, timeoutMs) =>
+    fetchJson(endpoint, {
+      body: buildBody(options, stream),
+      signal: options.signal,
+      timeoutMs
+    }), { signal: options.signal, onRetry: options.onRetry, attemptTimeoutMs: 60000, deadlineMs: 90000 });
+
+  return {
+    name: 'ollama',
+    model,
+    isConfigured: () => true,
+
+    async complete(options) {
+      const response = await request(options, false);
+      const data = await response.json();
+      return { text: data?.message?.content || '', toolCalls: toToolCalls(data?.message?.tool_calls) };
+    },
+
+    // Ollama streams newline-delimited JSON rather than SSE
+    async *stream(options) {
+      const response = await request(options, true);
+      let callCount = 0;
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama error: ${data.error}`);
+        if (data.message?.content) yield data.message.content;
+        for (const toolCall of toToolCalls(data.message?.tool_calls, callCount)) {
+          callCount++;
+          yield { toolCall };
+        }
+        if (data.done) return;
+      }
+    }
+  };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  ollama: createOllamaProvider
+};
+
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}"; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(env);
+}
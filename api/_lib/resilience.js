@@ -0,0 +1,159 @@
+// Retry, backoff and circuit breaking for upstream model requests.
+//
+// callWithRetry() walks a list of endpoints (Gemini model URLs, or the single
+// URL of an OpenAI-compatible or Ollama server) under one overall deadline:
+//   - the endpoint that last worked is tried first
+//   - endpoints whose circuit is open are skipped until their cooldown ends
+//   - retryable failures (network errors, timeouts, 408, 429, 5xx) back off
+//     exponentially with full jitter, or for as long as Retry-After asks
+//   - other failures (a 404 for an unknown model, say) drop that endpoint for
+//     the rest of the call and move straight on
+// State lives at module level, so it carries over between warm invocations.
+
+export class UpstreamError extends Error {
+  constructor(message, { status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Thrown when every endpoint is cooling down; retryAfterMs says for how long
+export class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super('All upstream endpoints are failing; try again later');
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.circuits = new Map();
+  }
+
+  // Closed, or open with the cooldown over (half-open: one trial request)
+  canRequest(key) {
+    const circuit = this.circuits.get(key);
+    return !circuit?.openUntil || Date.now() >= circuit.openUntil;
+  }
+
+  remainingCooldown(key) {
+    const circuit = this.circuits.get(key);
+    return circuit?.openUntil ? Math.max(0, circuit.openUntil - Date.now()) : 0;
+  }
+
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  recordFailure(key) {
+    const circuit = this.circuits.get(key) || { failures: 0, openUntil: 0 };
+    circuit.failures++;
+    if (circuit.failures >= this.failureThreshold) {
+      circuit.openUntil = Date.now() + this.cooldownMs;
+    }
+    this.circuits.set(key, circuit);
+  }
+}
+
+// Accepts either delay-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random delay up to the capped exponential step
+export function backoffDelay(attempt, { baseMs = 400, maxMs = 8000 } = {}) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+export function isRetryable(error) {
+  if (error instanceof CircuitOpenError) return false;
+  if (error?.status === undefined) return true; // network failure or timeout
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason || new Error('Aborted'));
+    };
+    // The signal outlives the wait, so the listener goes once the wait is over
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export const breaker = new CircuitBreaker();
+const preferredEndpoints = new Map();
+
+// Runs attempt(endpoint, timeoutMs) until one succeeds, the attempts run out or
+// the deadline passes. group names the endpoint list whose last good entry is cached.
+// onRetry({ attempt, maxAttempts, delayMs }) fires before each backoff wait.
+export async function callWithRetry(group, endpoints, attempt, {
+  signal,
+  onRetry,
+  deadlineMs = 25000,
+  attemptTimeoutMs = 15000,
+  maxAttempts = 4
+} = {}) {
+  const deadline = Date.now() + deadlineMs;
+  const preferred = preferredEndpoints.get(group);
+  const ordered = endpoints.includes(preferred)
+    ? [preferred, ...endpoints.filter(endpoint => endpoint !== preferred)]
+    : [...endpoints];
+
+  let lastError = null;
+  let next = 0;
+  for (let i = 0; i < maxAttempts && ordered.length > 0; i++) {
+    const open = ordered.filter(endpoint => breaker.canRequest(endpoint));
+    if (open.length === 0) {
+      if (lastError) throw lastError;
+      throw new CircuitOpenError(Math.min(...ordered.map(endpoint => breaker.remainingCooldown(endpoint))));
+    }
+
+    const endpoint = open[next % open.length];
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    try {
+      const result = await attempt(endpoint, Math.min(attemptTimeoutMs, remaining));
+      breaker.recordSuccess(endpoint);
+      preferredEndpoints.set(group, endpoint);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      lastError = error;
+      console.warn(`Upstream ${endpoint} failed (attempt ${i + 1}/${maxAttempts}):`, error.message);
+
+      // A request this endpoint rejects outright won't work on a retry either;
+      // only a missing model counts against the circuit
+      if (!isRetryable(error)) {
+        if (error.status === 404) breaker.recordFailure(endpoint);
+        ordered.splice(ordered.indexOf(endpoint), 1);
+        continue;
+      }
+
+      breaker.recordFailure(endpoint);
+      // Other endpoints get a turn before this one is hit again
+      next++;
+      const delay = error.retryAfterMs ?? backoffDelay(i);
+      if (Date.now() + delay >= deadline) break;
+      onRetry?.({ attempt: i + 1, maxAttempts, delayMs: Math.round(delay) });
+      await sleep(delay, signal);
+    }
+  }
+
+  throw lastError || new UpstreamError('Upstream deadline exceeded');
+}
@@ -0,0 +1,159 @@
+// Speech-to-text backends used by /api/transcribe, for browsers without a
+// built-in SpeechRecognition.
+//
+// Every transcriber exposes the same surface:
+//   name, model            - reported by /api/config
+//   isConfigured()         - whether the env holds what the backend needs
+//   transcribe({ audio, mimeType, language, signal }) -> Promise<{ text }>
+// audio is a Buffer holding one recorded clip; language is a BCP 47 tag or undefined.
+//
+// The backend is picked with STT_PROVIDER (command | openai):
+//   command - runs a local whisper-style binary. STT_COMMAND is its argument list
+//             with {input}, {outdir} and {language} placeholders; the transcript is
+//             the first .txt file written to {outdir}, or else stdout. The default
+//             fits the openai-whisper CLI.
+//   openai  - posts to an OpenAI-compatible /audio/transcriptions endpoint, which
+//             also covers whisper.cpp's server and faster-whisper-server through
+//             STT_BASE_URL.
+
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { UpstreamError, parseRetryAfter } from './resilience.js';
+
+const TIMEOUT_MS = 60000;
+
+const DEFAULT_COMMAND = 'whisper {input} --model base --language {language} --output_format txt --output_dir {outdir}';
+
+// Recorders hand us containers; binaries mostly go by the file extension
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+export function extensionFor(mimeType) {
+  return EXTENSIONS[String(mimeType).split(';')[0].trim().toLowerCase()] || 'webm';
+}
+
+function run(file, args, { timeoutMs, signal }) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: timeoutMs, signal, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new UpstreamError(`${file} failed: ${stderr || error.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// ===== LOCAL COMMAND =====
+
+function createCommandTranscriber(env) {
+  const template = (env.STT_COMMAND || DEFAULT_COMMAND).trim().split(/\s+/);
+  const timeoutMs = Number(env.STT_TIMEOUT_MS) || TIMEOUT_MS;
+
+  return {
+    name: 'command',
+    model: template[0],
+    // Off until someone opts in, since the default binary may well not be installed
+    isConfigured: () => !!(env.STT_PROVIDER || env.STT_COMMAND) && template.some(arg => arg.includes('{input}')),
+
+    async transcribe({ audio, mimeType, language, signal }) {
+      const workdir = await mkdtemp(join(tmpdir(), 'neko-stt-'));
+      try {
+        const input = join(workdir, `clip.${extensionFor(mimeType)}`);
+        const outdir = join(workdir, 'out');
+        await writeFile(input, audio);
+
+        // Arguments go to execFile one by one, so nothing passes through a shell.
+        // An argument naming a language nobody asked for is dropped with its flag.
+        const args = [];
+        const rest = template.slice(1);
+        for (let i = 0; i < rest.length; i++) {
+          if (rest[i] === '{language}' && !language) {
+            if (args.length > 0 && args[args.length - 1].startsWith('-')) args.pop();
+            continue;
+          }
+          args.push(rest[i]
+            .replaceAll('{input}', input)
+            .replaceAll('{outdir}', outdir)
+            .replaceAll('{language}', language ? language.split('-')[0] : ''));
+        }
+
+        const stdout = await run(template[0], args, { timeoutMs, signal });
+
+        const written = await readdir(outdir).catch(() => []);
+        const transcript = written.find(file => file.endsWith('.txt'));
+        const text = transcript ? await readFile(join(outdir, transcript), 'utf8') : stdout;
+        return { text: text.replace(/\s+/g, ' ').trim() };
+      } finally {
+        await rm(workdir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+// ===== OPENAI-COMPATIBLE =====
+
+function createOpenAiTranscriber(env) {
+  const baseUrl = (env.STT_BASE_URL || env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = env.STT_API_KEY || env.OPENAI_API_KEY;
+  const model = env.STT_MODEL || 'whisper-1';
+  const isLocal = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])/.test(baseUrl);
+  const timeoutMs = Number(env.STT_TIMEOUT_MS) || TIMEOUT_MS;
+
+  return {
+    name: 'openai',
+    model,
+    isConfigured: () => !!apiKey || isLocal,
+
+    async transcribe({ audio, mimeType, language, signal }) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimeType }), `clip.${extensionFor(mimeType)}`);
+      form.append('model', model);
+      if (language) form.append('language', language.split('-')[0]);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      signal?.addEventListener('abort', () => controller.abort(), { once: true });
+      try {
+        const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+          method: 'POST',
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          body: form,
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new UpstreamError(`${baseUrl} responded ${response.status}: ${await response.text()}`, {
+            status: response.status,
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+          });
+        }
+        const data = await response.json();
+        return { text: String(data?.text || '').trim() };
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+const TRANSCRIBERS = {
+  command: createCommandTranscriber,
+  openai: createOpenAiTranscriber
+};
+
+export function createTranscriber(env = process.env) {
+  const name = (env.STT_PROVIDER || 'command').toLowerCase();
+  const factory = TRANSCRIBERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STT_PROVIDER "${name}"; expected one of ${Object.keys(TRANSCRIBERS).join(', ')}`);
+  }
+  return factory(env);
+}
@@ -0,0 +1,212 @@
+import { createProvider } from './_lib/providers.js';
+import { CircuitOpenError } from './_lib/resilience.js';
+import { guardRequest } from './_lib/access.js';
+
+const MAX_MESSAGES = 50; // sent upstream; older turns beyond this are dropped
+const MAX_REQUEST_MESSAGES = 200; // accepted at all
+const MAX_MESSAGE_LENGTH = 8000;
+const MAX_TOOLS = 32;
+const TOOL_NAME = /^[a-zA-Z_][\w-]{0,63}$/;
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isToolCall = call => isObject(call) &&
+  typeof call.id === 'string' &&
+  TOOL_NAME.test(call.name) &&
+  (call.args === undefined || isObject(call.args));
+
+function isValidMessage(msg) {
+  if (!isObject(msg) || typeof msg.content !== 'string') return false;
+  if (msg.role === 'tool') {
+    return typeof msg.toolCallId === 'string' && TOOL_NAME.test(msg.name);
+  }
+  if (msg.role === 'assistant' && msg.toolCalls !== undefined) {
+    return Array.isArray(msg.toolCalls) && msg.toolCalls.every(isToolCall);
+  }
+  return ['user', 'assistant'].includes(msg.role);
+}
+
+const isValidTool = tool => isObject(tool) &&
+  TOOL_NAME.test(tool.name) &&
+  typeof tool.description === 'string' &&
+  (tool.parameters === undefined || isObject(tool.parameters));
+
+function trimMessage(msg) {
+  const trimmed = { role: msg.role, content: msg.content.slice(0, MAX_MESSAGE_LENGTH) };
+  if (msg.role === 'tool') {
+    trimmed.toolCallId = msg.toolCallId;
+    trimmed.name = msg.name;
+  }
+  if (msg.toolCalls?.length) {
+    trimmed.toolCalls = msg.toolCalls.map(call => ({ id: call.id, name: call.name, args: call.args || {} }));
+  }
+  return trimmed;
+}
+
+// Drops the oldest turns past MAX_MESSAGES. The window still has to open on a
+// user turn, or tool results would lose the assistant call they answer.
+function trimHistory(messages) {
+  let start = Math.max(0, messages.length - MAX_MESSAGES);
+  while (start < messages.length - 1 && messages[start].role !== 'user') start++;
+  return messages.slice(start);
+}
+
+// Tells the browser what was cut so it can say so instead of guessing
+function reportTrimming(res, droppedMessages, truncatedMessages) {
+  res.setHeader('Access-Control-Expose-Headers', 'X-Dropped-Messages, X-Truncated-Messages');
+  if (droppedMessages > 0) res.setHeader('X-Dropped-Messages', String(droppedMessages));
+  if (truncatedMessages > 0) res.setHeader('X-Truncated-Messages', String(truncatedMessages));
+}
+
+async function streamReply(provider, options, res) {
+  const controller = new AbortController();
+  // Stop pulling tokens once the browser goes away
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const open = () => {
+    if (res.headersSent) return;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    });
+  };
+
+  // Upstream backoffs go out as retry events so the browser can say it is
+  // retrying; the first one opens the stream early
+  const onRetry = (retry) => {
+    open();
+    res.write(`event: retry\ndata: ${JSON.stringify(retry)}\n\n`);
+  };
+
+  const deltas = provider.stream({ ...options, signal: controller.signal, onRetry })[Symbol.asyncIterator]();
+
+  // Wait for the first token so connection failures still surface as a 502,
+  // unless a retry event already opened the stream
+  let first;
+  try {
+    first = await deltas.next();
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    if (!controller.signal.aborted) {
+      console.error('Chat stream error:', error);
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Upstream model request failed' })}\n\n`);
+    }
+    res.end();
+    return;
+  }
+
+  // Text deltas go out as { text }, tool calls as { toolCall }
+  const send = value => res.write(`data: ${JSON.stringify(typeof value === 'string' ? { text: value } : value)}\n\n`);
+
+  open();
+
+  try {
+    if (!first.done) {
+      send(first.value);
+      for (let next = await deltas.next(); !next.done; next = await deltas.next()) {
+        send(next.value);
+      }
+    }
+    res.write('data: [DONE]\n\n');
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Chat stream error:', error);
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Upstream stream failed' })}\n\n`);
+    }
+  } finally {
+    res.end();
+  }
+}
+
+export default async function handler(req, res) {
+  // CORS for allowed origins only, and a per-IP throttle, since this route spends the server's key
+  const limit = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 30);
+  if (!guardRequest(req, res, { route: 'chat', methods: 'POST, OPTIONS', limit })) return;
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = createProvider();
+  } catch (error) {
+    console.error('Chat provider error:', error);
+    res.status(500).json({ error: 'Chat provider is misconfigured' });
+    return;
+  }
+
+  if (!provider.isConfigured()) {
+    res.status(503).json({ error: 'Chat backend is not configured' });
+    return;
+  }
+
+  const { messages, system, json, tools } = req.body || {};
+  const isValid = (system === undefined || typeof system === 'string') &&
+    Array.isArray(messages) &&
+    messages.length > 0 &&
+    messages.length <= MAX_REQUEST_MESSAGES &&
+    messages.every(isValidMessage) &&
+    (tools === undefined || (Array.isArray(tools) && tools.length <= MAX_TOOLS && tools.every(isValidTool)));
+  if (!isValid) {
+    res.status(400).json({ error: `Expected 1-${MAX_REQUEST_MESSAGES} messages, an optional system string and optional tools` });
+    return;
+  }
+
+  const kept = trimHistory(messages);
+  // The system instruction counts as one message when it is cut
+  const truncated = [system || '', ...kept.map(msg => msg.content)].filter(text => text.length > MAX_MESSAGE_LENGTH).length;
+  reportTrimming(res, messages.length - kept.length, truncated);
+
+  const options = {
+    system: system ? system.slice(0, MAX_MESSAGE_LENGTH) : undefined,
+    messages: kept.map(trimMessage),
+    json: !!json,
+    tools: tools?.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }))
+  };
+
+  try {
+    if (req.body.stream) {
+      await streamReply(provider, options, res);
+      return;
+    }
+
+    const result = await provider.complete(options);
+    const text = result.text.trim();
+    if (!text && result.toolCalls.length === 0) {
+      res.status(502).json({ error: 'Empty response from model' });
+      return;
+    }
+    res.status(200).json(result.toolCalls.length > 0 ? { text, toolCalls: result.toolCalls } : { text });
+  } catch (error) {
+    console.error('Chat API error:', error);
+    if (res.headersSent) return;
+
+    // Pass rate limits and cooldowns on so the browser knows when to come back
+    if (error.retryAfterMs !== undefined) {
+      res.setHeader('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    if (error instanceof CircuitOpenError) {
+      res.status(503).json({ error: 'Model backend is cooling down after repeated failures' });
+    } else if (error.status === 429) {
+      res.status(429).json({ error: 'Model backend is rate limited' });
+    } else {
+      res.status(502).json({ error: 'Upstream model request failed' });
+    }
+  }
+}
@@ -1,3 +1,16 @@
+import { createProvider } from './_lib/providers.js';
+import { createTranscriber } from './_lib/transcribers.js';
+
+// A bad STT_PROVIDER only costs the voice fallback, not the whole config
+function transcribeReady() {
+  try {
+    return createTranscriber().isConfigured();
+  } catch (error) {
+    console.error('Transcriber error:', error);
+    return false;
+  }
+}
+
 export default function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -17,12 +30,14 @@ export default function handler(req, res) {
   }
 
   try {
-    // Return the configuration
-    const apiKey = process.env.GEMINI_API_KEY;
-    
+    // Return the public configuration only; keys stay behind /api/chat
+    const provider = createProvider();
     res.status(200).json({
-      geminiApiKey: apiKey || 'fallback-key',
-      hasApiKey: !!apiKey,
+      provider: provider.name,
+      model: provider.model,
+      chatReady: provider.isConfigured(),
+      // Whether /api/transcribe can stand in for a missing SpeechRecognition
+      transcribeReady: transcribeReady(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -0,0 +1,91 @@
+import { createTranscriber } from './_lib/transcribers.js';
+import { guardRequest } from './_lib/access.js';
+
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+const LANGUAGE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// The clip arrives as the raw request body; the platform may already have read it
+async function readAudio(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_AUDIO_BYTES) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default async function handler(req, res) {
+  // CORS for allowed origins only, and a per-IP throttle, since this route spends the server's key
+  const limit = Number(process.env.STT_RATE_LIMIT_PER_MINUTE ?? 10);
+  if (!guardRequest(req, res, { route: 'transcribe', methods: 'POST, OPTIONS', limit })) return;
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let transcriber;
+  try {
+    transcriber = createTranscriber();
+  } catch (error) {
+    console.error('Transcriber error:', error);
+    res.status(500).json({ error: 'Speech-to-text backend is misconfigured' });
+    return;
+  }
+
+  if (!transcriber.isConfigured()) {
+    res.status(503).json({ error: 'Speech-to-text backend is not configured' });
+    return;
+  }
+
+  const mimeType = String(req.headers['content-type'] || '');
+  if (!mimeType.startsWith('audio/')) {
+    res.status(415).json({ error: 'Expected an audio/* request body' });
+    return;
+  }
+
+  const language = req.query?.lang;
+  if (language !== undefined && !LANGUAGE.test(language)) {
+    res.status(400).json({ error: 'lang must be a language tag such as en-US' });
+    return;
+  }
+
+  const audio = await readAudio(req);
+  if (!audio || audio.length > MAX_AUDIO_BYTES) {
+    res.status(413).json({ error: 'Audio clip is too large' });
+    return;
+  }
+  if (audio.length === 0) {
+    res.status(400).json({ error: 'Audio clip is empty' });
+    return;
+  }
+
+  const controller = new AbortController();
+  // Stop the backend once the browser goes away
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { text } = await transcriber.transcribe({ audio, mimeType, language, signal: controller.signal });
+    res.status(200).json({ text });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Transcribe API error:', error);
+    if (error.retryAfterMs !== undefined) {
+      res.setHeader('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.status === 429 ? 429 : 502).json({ error: 'Speech-to-text request failed' });
+  }
+}